@@ -1,24 +1,45 @@
+// Writes marko-browser.js and marko-browser-worker.js, which are not checked in. Run with `npm run build`.
 var fs = require('fs');
 var lasso = require('lasso');
 lasso.configure('lasso.json');
-lasso.lassoPage({
-    name:'marko-browser',
-    dependencies:[
-        'require-run: ./source.js',
-        'require: marko',
-        'require: marko/compiler',
-        'require: marko-widgets',
-        'require: domready'
-    ]
-}, function(err, result) {
-    if(err) {
-        throw err;
-    }
 
-    fs.appendFileSync('./marko-browser.js', `
+// The marko-widgets taglib modules used at compile time
+var widgetsTaglib = require.resolve('marko-widgets/compiler.browser.json');
+
+function build(name, dependencies, footer, callback) {
+    lasso.lassoPage({
+        name:name,
+        dependencies:dependencies
+    }, function(err, result) {
+        if(err) {
+            throw err;
+        }
+
+        fs.appendFileSync('./'+name+'.js', footer);
+
+        console.log('Written '+name+'.js.');
+        callback();
+    });
+}
+
+build('marko-browser', [
+    'require-run: ./source.js',
+    'require: marko',
+    'require: marko/compiler',
+    'require: marko-widgets',
+    widgetsTaglib,
+    'require: domready'
+], `
         window.global = window.global || {};
         $rmod.pending().done();
-    `);
-
-    console.log('Written.')
-})
\ No newline at end of file
+    `, function() {
+    build('marko-browser-worker', [
+        'require-run: ./worker.js',
+        'require: marko/compiler',
+        widgetsTaglib
+    ], `
+        self.window = self;
+        self.global = self.global || {};
+        $rmod.pending().done();
+    `, function() {});
+});
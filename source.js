@@ -1,19 +1,106 @@
 var xhr = require('xhr');
 var runtime = require('marko');
-var compiler = require('marko/compiler');
 var domready = require('domready');
 var widgets = require('marko-widgets');
+var morphdom = require('morphdom');
 var stripIndent = require('strip-indent');
 var resolveUrl = require("resolve-url");
 var EventEmitter = require('events').EventEmitter;
-var includePattern = /<(include|layout-use)\(("[^"]+"|'[^']+'|`[^`]`)\s*(,|\))/g;
+var markoVersion = require('marko/package.json').version;
+var widgetsVersion = require('marko-widgets/package.json').version;
+var templateCompiler = require('./template-compiler');
+var findDependencies = templateCompiler.findDependencies;
+var resolvePath = templateCompiler.resolvePath;
 
 var marko = window.marko = {
     templates:{},
-    defineComponent:widgets.defineComponent,
+    texts:{},
+    /*
+    Same as marko-widgets' defineComponent, but def.template can also be the name
+    or path of a template loaded by marko-browser. That template binds to the
+    component with a w-bind attribute that has no value, and marko.render() and
+    mounts of the template render through the component.
+    */
+    defineComponent:function(def) {
+        if(typeof def.template != 'string') {
+            return widgets.defineComponent(def);
+        }
+
+        var path = resolveTemplateName(def.template);
+        var componentDef = {};
+        Object.keys(def).forEach(function(key) {
+            componentDef[key] = def[key];
+        });
+        componentDef.template = {
+            render:function(data, out) {
+                marko.resolveTemplate(path).render(data, out);
+            }
+        };
+
+        var component = widgets.defineComponent(componentDef);
+        modules['marko-widget:' + path] = { exports:component };
+        var template = components[path] = runtime.c(path);
+        template.c(function() {
+            return function(data, out) {
+                component.renderer(data, out);
+            };
+        });
+        return component;
+    },
+    cache:{
+        enabled:true,
+        hits:0,
+        misses:0,
+        clear:function() {
+            forEachCacheKey(function(key) {
+                window.localStorage.removeItem(key);
+            });
+            marko.cache.hits = marko.cache.misses = 0;
+        },
+        stats:function() {
+            var entries = 0;
+            forEachCacheKey(function() {
+                entries++;
+            });
+            return { hits:marko.cache.hits, misses:marko.cache.misses, entries:entries };
+        }
+    },
+    /*
+    Set overlay.enabled to show every failed template in an overlay on top of the page
+    instead of only logging to the console. An entry goes away once its template
+    compiles or renders again.
+    */
+    overlay:{
+        enabled:false
+    },
+    state:'loading',
     ready:function(fn) {
-        marko.events.on('ready', fn);
+        if(marko.state == 'loading') {
+            marko.events.once('ready', fn);
+        } else {
+            fn(readyEvent);
+        }
+    },
+    whenReady:function() {
+        return new Promise(function(resolve) {
+            marko.ready(resolve);
+        });
     },
+    /*
+    Lifecycle events:
+    - load:start     { path }
+    - load:end       { path, duration, error }
+    - compile:start  { path }
+    - compile:end    { path, duration, size, cached }
+    - render         { name, duration, error }
+    - updated        [ path, ...dependents ]
+    - error          { error, path, phase } where phase is "load", "compile", "render" or "module"
+    - loaded         { name, template, error } for each <script type="marko"> template
+    - ready          { failed } with the names of the page templates that failed to load
+
+    marko.state is "loading" until ready fires, then "ready", or "failed" if any page template failed.
+    Template script tags added after ready are only picked up after calling marko.observe().
+    */
     events: new EventEmitter(),
     load:function(path, src, fn) {
         if(src instanceof Function) {
@@ -21,35 +108,519 @@ var marko = window.marko = {
             src = undefined;
         }
 
-        if(src == undefined) {
-            marko.templates[path] = undefined;
-            xhr({ url:path }, function(err, response, body) {
-                if(err) {
-                    if(window.location.protocol == 'file:') {
-                        err = new Error('Due to security restrictions in browsers, you cannot load external templates over the file:// protocol.  You should set up a static http server like this one:  https://www.npmjs.com/package/anywhere')
-                    }
-                    return fn(err);
+        if(!fn) {
+            return toPromise(function(callback) {
+                marko.load(path, src, callback);
+            });
+        }
+
+        path = resolveTemplateName(path);
+        if(src == undefined && waitsForPageTemplates(path)) {
+            return marko.ready(function() {
+                marko.load(path, fn);
+            });
+        }
+        if(src == undefined && marko.templates[path]) {
+            return fn(null, marko.templates[path]);
+        }
+
+        var load = reserveLoad(path);
+        load.callbacks.push(fn);
+
+        if(!load.started && !(src == undefined && load.reserved)) {
+            startLoad(path, src);
+        }
+    },
+    update:function(path, src, fn) {
+        if(!fn) {
+            return toPromise(function(callback) {
+                marko.update(path, src, callback);
+            });
+        }
+
+        path = resolveTemplateName(path);
+        loadDependencies(path, src, function(err) {
+            if(err) return fn(err);
+
+            var dependents = findDependents(path);
+            recompileDependents(dependents, function(err) {
+                if(err) return fn(err);
+
+                var updated = [path].concat(dependents);
+                marko.events.emit('updated', updated);
+                fn(null, updated);
+            });
+        });
+    },
+    observe:function() {
+        if(!observer) {
+            observer = new MutationObserver(observeScripts);
+            observer.observe(document.documentElement, { childList:true, subtree:true });
+        }
+    },
+    unobserve:function() {
+        if(observer) {
+            observer.disconnect();
+            observer = null;
+        }
+    },
+    mount:function(name, data, element) {
+        if(typeof element == 'string') {
+            var selector = element;
+            element = document.querySelector(selector);
+            if(!element) {
+                throw new Error('Unable to mount "'+name+'": no element matches "'+selector+'"');
+            }
+        }
+
+        var mount = {
+            name:resolveTemplateName(name),
+            data:data,
+            element:element,
+            renderId:0,
+            destroyed:false,
+            update:function(newData) {
+                mount.data = newData;
+                return renderMount(mount);
+            },
+            setTemplate:function(newName) {
+                mount.name = resolveTemplateName(newName);
+                return renderMount(mount);
+            },
+            destroy:function() {
+                if(mount.destroyed) {
+                    return;
+                }
+                mount.destroyed = true;
+                mounts.splice(mounts.indexOf(mount), 1);
+                if(element.markoMount === mount) {
+                    delete element.markoMount;
                 }
-                loadDependencies(path, body, fn);
+                destroyWidgets(element);
+                element.innerHTML = '';
+            }
+        };
+
+        mounts.push(mount);
+        renderMount(mount).catch(ignoreError);
+        return mount;
+    },
+    /*
+    Parses and compiles templates in a Web Worker loaded from url. The worker script is the
+    marko-browser-worker.js that `npm run build` writes next to marko-browser.js.
+    */
+    useWorker:function(url) {
+        if(!url) {
+            throw new Error('marko.useWorker() needs the URL of marko-browser-worker.js');
+        }
+        if(!compileWorker) {
+            compileWorker = startCompileWorker(url);
+        }
+    },
+    /*
+    Registers a CommonJS module that templates and other modules can require().
+    Relative ids are resolved against the page. A function is treated as the
+    module factory and called as factory(require, exports, module, __filename, __dirname)
+    the first time the module is required.
+    */
+    defineModule:function(id, exportsOrFactory) {
+        if(isRelative(id)) {
+            id = resolveUrl(id);
+        }
+        if(id in modules) {
+            throw new Error('A module with the id "'+id+'" has already been defined');
+        }
+
+        modules[id] = typeof exportsOrFactory == 'function' ? { factory:exportsOrFactory } : { exports:exportsOrFactory };
+    },
+    /*
+    Registers a taglib for templates compiled from now on. taglibJson uses the
+    marko.json format for tags and attributes, and the renderers, transformers
+    and codeGenerators are objects keyed by tag name.
+    */
+    registerTaglib:function(taglibJson, implementations) {
+        implementations = implementations || {};
+
+        var taglib = templateCompiler.registerTaglib(taglibJson, implementations);
+        var renderers = implementations.renderers || {};
+        Object.keys(renderers).forEach(function(name) {
+            modules[taglib.tags[name].renderer] = { exports:renderers[name] };
+        });
+
+        taglibSignatures.push(JSON.stringify(taglibJson) + ['renderers', 'transformers', 'codeGenerators'].map(function(type) {
+            var functions = implementations[type] || {};
+            return Object.keys(functions).map(function(name) {
+                return type + ':' + name + ':' + functions[name];
+            }).join('\n');
+        }).join('\n'));
+    },
+    /*
+    Resolvers are asked in order for the source of a template or text before it
+    is fetched from the network, as resolver(path, callback). A resolver can:
+    - call callback(err, src), if it takes the callback argument
+    - return a promise for the source
+    - return the source, if it doesn't take the callback argument
+    A source of undefined or null passes the path on to the next resolver.
+    */
+    addResolver:function(resolver) {
+        resolvers.push(resolver);
+    },
+    resolveTemplate:function(template, from) {
+        if(template && typeof template.render == 'function') {
+            return template;
+        }
+
+        var path = resolvePath(from, template);
+        return marko.templates[path] || lazyTemplate(path);
+    },
+    render:function(name, data, fn) {
+        if(data instanceof Function) {
+            fn = data;
+            data = undefined;
+        }
+
+        if(!fn) {
+            return toPromise(function(callback) {
+                marko.render(name, data, callback);
+            });
+        }
+
+        name = resolveTemplateName(name);
+        if(waitsForPageTemplates(name)) {
+            return marko.ready(function() {
+                marko.render(name, data, fn);
             });
+        }
+
+        var template = components[name] || marko.templates[name];
+        if(template) {
+            return renderTemplate(name, template, data, fn);
+        }
+
+        // a page template that failed to compile has nothing to fetch, so keep its original error
+        if(scriptErrors[name]) {
+            return fn(scriptErrors[name]);
+        }
+
+        marko.load(name, function(err, template) {
+            if(err) return fn(err);
+            renderTemplate(name, template, data, fn);
+        });
+    }
+}
+
+function renderTemplate(name, template, data, fn) {
+    var startTime = now();
+    var finished = false;
+    var sync = true;
+    var syncResult;
+
+    // Marko can call back more than once, e.g. with an async error after the output has ended
+    function done(err, html, out) {
+        if(finished) return;
+        finished = true;
+
+        if(!err) {
+            dismissOverlayError(name, 'render');
+            return finish(null, html, out);
+        }
+
+        var pos = findRenderErrorPosition(err);
+        whenScriptOrigin(pos ? pos.path : name, function() {
+            err = mapRenderError(name, err, pos);
+            emitError(err, name, 'render');
+            finish(err, html, out);
+        });
+    }
+
+    function finish(err, html, out) {
+        marko.events.emit('render', { name:name, duration:now() - startTime, error:err || null });
+
+        if(sync) {
+            syncResult = [err, html, out];
         } else {
-            loadDependencies(path, src, fn);
+            fn(err, html, out);
+        }
+    }
+
+    try {
+        template.render(data || {}, done);
+    } catch(err) {
+        done(err);
+    }
+    sync = false;
+
+    // Outside the try so that an exception thrown by fn is not taken for a render error
+    if(syncResult) {
+        fn(syncResult[0], syncResult[1], syncResult[2]);
+    }
+}
+
+var templateStackFrame = /marko-template:\/\/(.*):(\d+):(\d+)/;
+
+// Finds the template line that threw from the first template frame of the stack
+function findRenderErrorPosition(err) {
+    var frames = String(err && err.stack).split('\n');
+    for(var i = 0; i < frames.length; i++) {
+        var match = templateStackFrame.exec(frames[i]);
+        var pos = match && findTemplatePosition(match[1], +match[2], +match[3] - 1);
+        if(pos) {
+            return pos;
+        }
+    }
+}
+
+// Points a render error at the template line that threw instead of the compiled JavaScript
+function mapRenderError(name, err, pos) {
+    if(!pos) {
+        return err;
+    }
+
+    var path = pos.path;
+    var templateSrc = templatePositions[path].src;
+    var origin = getSourceOrigin(path, templateSrc);
+    var mapped = createPositionMapper(origin, templateSrc)(pos.line, pos.column);
+    var chain = findIncludeChain(name, path) || [path];
+    var location = origin.url + ':' + mapped.line + ':' + mapped.column;
+    var mappedErr = new Error('An error occurred while rendering template "' + path + '" at ' + location +
+        (chain.length > 1 ? ' (included from ' + chain.join(' \u2192 ') + ')' : '') + ': ' + err.message + '\n\n' +
+        formatCodeFrame(origin.content, mapped.line, mapped.column).join('\n'));
+    mappedErr.path = path;
+    mappedErr.pos = { path:origin.url, line:mapped.line, column:mapped.column };
+    mappedErr.chain = chain;
+    mappedErr.cause = err;
+    return mappedErr;
+}
+
+// Finds the closest marker at or before a position in the compiled template
+function findTemplatePosition(path, line, column) {
+    var template = templatePositions[path];
+    if(!template) {
+        return;
+    }
+
+    // The first line of the evaluated source is the CommonJS wrapper
+    for(var i = line - 2; i >= 0; i--) {
+        var positions = template.positions[i] || [];
+        for(var j = positions.length - 1; j >= 0; j--) {
+            if(i < line - 2 || positions[j].generatedColumn <= column) {
+                return { path:path, line:positions[j].line, column:positions[j].column };
+            }
+        }
+    }
+}
+
+function now() {
+    return window.performance ? window.performance.now() : Date.now();
+}
+
+templateCompiler.configure({
+    isTemplateName:function(path) {
+        return path in marko.templates;
+    },
+    resolveUrl:resolveUrl
+});
+
+function toPromise(fn) {
+    return new Promise(function(resolve, reject) {
+        fn(function(err, result) {
+            if(err) return reject(err);
+            resolve(result);
+        });
+    });
+}
+
+var loads = {};
+
+function reserveLoad(path, reserved) {
+    var load = loads[path] || (loads[path] = { callbacks:[], started:false, reserved:false });
+    if(reserved) {
+        load.reserved = true;
+    }
+    return load;
+}
+
+function startLoad(path, src) {
+    var load = loads[path];
+    load.started = true;
+    load.startTime = now();
+    marko.events.emit('load:start', { path:path });
+
+    if(src == undefined) {
+        marko.templates[path] = undefined;
+        fetchSource(path, function(err, body) {
+            if(err) {
+                emitError(err, path, 'load');
+                return finishLoad(path, err);
+            }
+            verifyIntegrity(path, body, load.integrity, function(err) {
+                if(err) {
+                    emitError(err, path, 'load');
+                    return finishLoad(path, err);
+                }
+                loadDependencies(path, body, function(err, template) {
+                    finishLoad(path, err, template);
+                });
+            });
+        });
+    } else {
+        loadDependencies(path, src, function(err, template) {
+            finishLoad(path, err, template);
+        });
+    }
+}
+
+function finishLoad(path, err, template) {
+    var load = loads[path];
+    delete loads[path];
+    if(load.started) {
+        marko.events.emit('load:end', { path:path, duration:now() - load.startTime, error:err || null });
+    }
+    load.callbacks.forEach(function(fn) {
+        fn(err, template);
+    });
+}
+
+var resolvers = [];
+
+function fetchSource(path, fn) {
+    var index = 0;
+
+    function next() {
+        var resolver = resolvers[index++];
+        if(!resolver) {
+            return fetchFromNetwork(path, fn);
+        }
+
+        var returned = false;
+        function callback(err, src) {
+            if(returned) return;
+            returned = true;
+
+            if(err) return fn(err);
+            if(src == undefined) return next();
+            fn(null, src);
+        }
+
+        var result;
+        try {
+            result = resolver(path, callback);
+        } catch(err) {
+            return callback(err);
+        }
+
+        if(result && typeof result.then == 'function') {
+            result.then(function(src) {
+                callback(null, src);
+            }, callback);
+        } else if(resolver.length < 2) {
+            callback(null, result);
+        }
+    }
+
+    next();
+}
+
+function fetchFromNetwork(path, fn) {
+    xhr({ url:path }, function(err, response, body) {
+        if(!err && response.statusCode >= 400) {
+            err = new Error('Unable to load "'+path+'" (HTTP '+response.statusCode+')');
+        }
+        if(err) {
+            if(window.location.protocol == 'file:') {
+                err = new Error('Due to security restrictions in browsers, you cannot load external templates over the file:// protocol.  You should set up a static http server like this one:  https://www.npmjs.com/package/anywhere')
+            }
+            return fn(err);
         }
+        fn(null, body);
+    });
+}
+
+var integrityAlgorithms = { sha256:'SHA-256', sha384:'SHA-384', sha512:'SHA-512' };
+
+function verifyIntegrity(path, src, integrity, fn) {
+    if(!integrity) {
+        return fn();
+    }
+
+    var subtle = window.crypto && window.crypto.subtle;
+    if(!subtle) {
+        return fn(new Error('Unable to verify the integrity of "'+path+'" because SubtleCrypto is not available (it requires a secure context)'));
     }
+
+    var bytes = new TextEncoder().encode(src);
+    var checks = integrity.trim().split(/\s+/).map(function(metadata) {
+        var separator = metadata.indexOf('-');
+        var algorithm = integrityAlgorithms[metadata.slice(0, separator)];
+        var expected = metadata.slice(separator + 1).split('?')[0];
+
+        if(!algorithm) {
+            return Promise.resolve(false);
+        }
+
+        return subtle.digest(algorithm, bytes).then(function(digest) {
+            return btoa(String.fromCharCode.apply(null, new Uint8Array(digest))) === expected;
+        });
+    });
+
+    Promise.all(checks).then(function(results) {
+        if(results.indexOf(true) == -1) {
+            return fn(new Error('The integrity of "'+path+'" could not be verified against "'+integrity+'"'));
+        }
+        fn();
+    }, fn);
+}
+
+function loadText(path, fn) {
+    fetchSource(path, function(err, body) {
+        if(err) {
+            emitError(err, path, 'load');
+            return fn(err);
+        }
+        marko.texts[path] = body;
+        fn(null, body);
+    });
 }
 
 function loadDependencies(path, src, fn) {
-    var include;
-    var dependencies = [];
-    while(include = includePattern.exec(src)) {
-        if(/^`.*${.*`$/.test(src)) {
-            return fn(new Error('Dynamic path found for a <'+include[1]+'> tag in template: '+path));
+    findSourceDependencies(path, stripIndent(src), function(err, dependencies) {
+        if(err) {
+            return whenScriptOrigin(path, function() {
+                err = mapCompileError(path, src, err);
+                emitError(err, path, 'compile', src);
+                fn(err);
+            });
+        }
+        loadFoundDependencies(path, src, dependencies, fn);
+    });
+}
+
+function loadFoundDependencies(path, src, dependencies, fn) {
+    var templates = dependencies.filter(function(dep) {
+        return dep.type == 'template';
+    }).map(function(dep) {
+        return dep.path;
+    });
+
+    dependencyGraph[path] = templates;
+    sources[path] = src;
+
+    for(var i = 0; i < templates.length; i++) {
+        var chain = findIncludeChain(templates[i], path);
+        if(chain) {
+            chain.unshift(path);
+            var err = new Error('Circular <include>/<layout-use> found: ' + chain.join(' \u2192 '));
+            err.chain = chain;
+            emitError(err, path, 'load');
+            return fn(err);
         }
-        dependencies.push(eval(include[2]));
     }
 
     dependencies = dependencies.filter(function needLoading(dep) {
-        return !(dep in marko.templates);
+        if(dep.type == 'text') {
+            return marko.texts[dep.path] === undefined;
+        }
+        return marko.templates[dep.path] === undefined;
     });
 
     if(!dependencies.length) {
@@ -58,12 +629,15 @@ function loadDependencies(path, src, fn) {
         var remaining = dependencies.length;
         var returned = false;
         dependencies.forEach(function(dep) {
-            marko.load(dep, function(err) {
+            var loader = dep.type == 'text' ? loadText : marko.load;
+            loader(dep.path, function(err) {
                 if(returned) return;
 
                 if(err) {
                     returned = true;
-                    return fn(err);
+                    return whenScriptOrigin(path, function() {
+                        fn(createDependencyError(path, src, dep, err));
+                    });
                 }
 
                 if(!--remaining) {
@@ -74,77 +648,1032 @@ function loadDependencies(path, src, fn) {
     }
 }
 
+// Adds where the failed dependency was included to its error
+function createDependencyError(path, src, dep, err) {
+    var origin = getSourceOrigin(path, src);
+    var pos = createPositionMapper(origin, src)(dep.line, dep.column);
+    var location = origin.url + ':' + pos.line + ':' + pos.column;
+    var dependencyErr = new Error(err.message + '\n    included from ' + (origin.url == path ? location : '"' + path + '" at ' + location));
+    dependencyErr.pos = { path:origin.url, line:pos.line, column:pos.column };
+    dependencyErr.cause = err;
+    return dependencyErr;
+}
+
+var dependencyGraph = {};
+
+function findIncludeChain(from, to, visited) {
+    if(from === to) {
+        return [to];
+    }
+
+    visited = visited || {};
+    if(visited[from]) {
+        return;
+    }
+    visited[from] = true;
+
+    var dependencies = dependencyGraph[from] || [];
+    for(var i = 0; i < dependencies.length; i++) {
+        var chain = findIncludeChain(dependencies[i], to, visited);
+        if(chain) {
+            return [from].concat(chain);
+        }
+    }
+}
+
+var sources = {};
+
 function compileTemplate(path, src, fn) {
-    var compiledSrc = compiler.compile(modifySrc(src), path, null);
-    var template = evalCommonJsTemplateSrc(path, compiledSrc);
-    marko.templates[path] = template;
-    return fn(null, template);
+    var startTime = now();
+    marko.events.emit('compile:start', { path:path });
+
+    getCompiledSrc(path, stripIndent(src), function(err, compiledSrc, cached) {
+        var template;
+        if(!err) {
+            try {
+                template = evalCommonJsTemplateSrc(path, compiledSrc, src);
+            } catch(e) {
+                err = e;
+            }
+        }
+
+        if(err) {
+            return whenScriptOrigin(path, function() {
+                err = mapCompileError(path, src, err);
+                emitError(err, path, 'compile', src);
+                fn(err);
+            });
+        }
+
+        dismissOverlayError(path);
+        marko.events.emit('compile:end', {
+            path:path,
+            duration:now() - startTime,
+            size:compiledSrc.length,
+            cached:cached
+        });
+        marko.templates[path] = template;
+        fn(null, template);
+    });
 }
 
-function modifySrc(src) {
-    return stripIndent(src).replace(includePattern, function(match, tag, path, delimiter) {
-        path = eval(path);
-        return '<'+tag+'(window.marko.templates['+JSON.stringify(path)+']'+delimiter;
+var cachePrefix = 'marko-browser:';
+// Bump when template-compiler.js changes the compiled output so older cache entries are not reused
+var cacheFormat = 1;
+var taglibSignatures = [];
+
+function getCompiledSrc(path, src, fn) {
+    if(!marko.cache.enabled) {
+        return compileSource(path, src, fn);
+    }
+
+    // Includes resolve against the page and its template names, and localStorage is shared by every page of the origin.
+    // Keys start with the hash of the path on this page so that older entries for it can be evicted.
+    var names = Object.keys(marko.templates).filter(function(name) {
+        return name.indexOf(':') == -1;
+    }).sort();
+    var pathPrefix = cachePrefix + hash([document.baseURI].concat(names, path).join('\n')) + ':';
+    var key = pathPrefix + hash([cacheFormat, markoVersion, widgetsVersion].concat(taglibSignatures, path, src).join('\n'));
+    var compiledSrc = readCache(key);
+
+    if(compiledSrc != null) {
+        marko.cache.hits++;
+        return fn(null, compiledSrc, true);
+    }
+
+    marko.cache.misses++;
+    compileSource(path, src, function(err, compiledSrc) {
+        if(err) return fn(err);
+        evictCache(pathPrefix);
+        writeCache(key, compiledSrc);
+        fn(null, compiledSrc, false);
     });
 }
 
-function evalCommonJsTemplateSrc(path, src) {
-    var wrappedSource = '(function(require, exports, module, __filename, __dirname) { ' + src + ' })';
-    var factoryFunc = eval(wrappedSource);
-    var templateExports = {};
-    var templateModule = {
-        require: require,
-        exports: templateExports,
-        id: name
-    };
+var compileWorker;
+var compileRequests = {};
+var lastCompileRequestId = 0;
 
-    factoryFunc(require, templateExports, templateModule, path, '/');
-    return templateModule.exports;
+function compileSource(path, src, fn) {
+    runCompiler('compile', path, src, fn);
 }
 
-domready(function() {
-    var remaining = 0;
-    [].filter.call(document.querySelectorAll('script[type*=marko]'), function(script) {
-        var src = script.getAttribute('src');
-        var name = script.getAttribute('name');
+function findSourceDependencies(path, src, fn) {
+    runCompiler('dependencies', path, src, fn);
+}
 
-        if(!name) {
-            return showError(new Error('One of your templates defined in a script tag is missing a name attribute'));
+// While a worker is active every parse and compile runs in it, so the main thread never touches the compiler
+function runCompiler(type, path, src, fn) {
+    // The worker has no access to the page's taglib implementations
+    if(!compileWorker || taglibSignatures.length) {
+        var result;
+        try {
+            result = type == 'dependencies' ? findDependencies(path, src) : templateCompiler.compile(path, src);
+        } catch(err) {
+            return fn(err);
         }
+        return fn(null, result);
+    }
 
-        if(name in marko.templates) {
-            return showError(new Error('A template with named "'+name+'" has already been registered'));
+    var id = ++lastCompileRequestId;
+    compileRequests[id] = { type:type, path:path, src:src, fn:fn };
+    compileWorker.postMessage({
+        id:id,
+        type:type,
+        path:path,
+        src:src,
+        names:Object.keys(marko.templates),
+        baseURI:document.baseURI
+    });
+}
+
+function startCompileWorker(url) {
+    var worker = new Worker(url);
+
+    worker.onmessage = function(event) {
+        var message = event.data;
+        var fn = compileRequests[message.id].fn;
+        delete compileRequests[message.id];
+
+        if(message.error) {
+            return fn(deserializeError(message.error));
         }
+        fn(null, message.result);
+    };
 
-        if(name) {
-            marko.templates[name] = undefined;
+    // Without a working worker, compile the pending and later templates on the main thread
+    worker.onerror = function(event) {
+        showError(new Error('The compile worker at "'+url+'" failed: '+(event.message || 'unable to load the script')));
+        if(compileWorker === worker) {
+            compileWorker = null;
         }
+        Object.keys(compileRequests).forEach(function(id) {
+            var request = compileRequests[id];
+            delete compileRequests[id];
+            runCompiler(request.type, request.path, request.src, request.fn);
+        });
+    };
 
-        return true;
-    }).forEach(function(script) {
-        var markup = script.innerHTML;
-        var path = script.getAttribute('src') || script.getAttribute('name');
+    return worker;
+}
 
-        remaining++;
+function deserializeError(data) {
+    var err = new Error(data.message);
+    err.stack = data.stack;
+    if(data.errors) {
+        err.errors = data.errors;
+    }
+    return err;
+}
 
-        marko.load(path, markup, function(err) {
-            if(err) return showError(err);
-            if(!--remaining) {
-                marko.events.emit('ready');
-            }
-        });
-    });
-});
+function hash(str) {
+    var h1 = 0x811c9dc5;
+    var h2 = 5381;
+    for(var i = 0; i < str.length; i++) {
+        var c = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ c, 0x01000193);
+        h2 = Math.imul(h2, 33) ^ c;
+    }
+    return (h1 >>> 0).toString(16) + (h2 >>> 0).toString(16) + str.length.toString(16);
+}
 
-function showError(error) {
-    if(window.console) {
-        console.error(error);
-        return;
+function readCache(key) {
+    try {
+        return window.localStorage.getItem(key);
+    } catch(e) {
+        return null;
     }
-    var errorContainer = document.createElement('div');
-    errorContainer.style.fontWeight = 'bold';
-    errorContainer.style.color = '#900';
-    errorContainer.textContent = error.message;
-    document.body.append(errorContainer);
-    return;
+}
+
+function writeCache(key, compiledSrc) {
+    try {
+        window.localStorage.setItem(key, compiledSrc);
+    } catch(e) {}
+}
+
+function evictCache(prefix) {
+    forEachCacheKey(function(key) {
+        if(key.indexOf(prefix) == 0) {
+            window.localStorage.removeItem(key);
+        }
+    });
+}
+
+function forEachCacheKey(fn) {
+    try {
+        for(var i = window.localStorage.length - 1; i >= 0; i--) {
+            var key = window.localStorage.key(i);
+            if(key && key.indexOf(cachePrefix) == 0) {
+                fn(key);
+            }
+        }
+    } catch(e) {}
+}
+
+function findDependents(path) {
+    var dependents = [];
+    var queue = [path];
+
+    while(queue.length) {
+        var target = queue.shift();
+        Object.keys(dependencyGraph).forEach(function(dependent) {
+            if(dependent != path && dependents.indexOf(dependent) == -1 && dependencyGraph[dependent].indexOf(target) != -1) {
+                dependents.push(dependent);
+                queue.push(dependent);
+            }
+        });
+    }
+
+    return dependents;
+}
+
+function recompileDependents(dependents, fn) {
+    var index = 0;
+
+    function next(err) {
+        if(err || index == dependents.length) {
+            return fn(err);
+        }
+        // a dependent that failed along with the updated template may still be missing other dependencies
+        var dependent = dependents[index++];
+        loadDependencies(dependent, sources[dependent], next);
+    }
+
+    next();
+}
+
+function lazyTemplate(path) {
+    return {
+        render:function(data, out) {
+            var asyncOut = out.beginAsync({ name:path });
+            marko.load(path, function(err, template) {
+                if(err) return asyncOut.error(err);
+                try {
+                    template.render(data, asyncOut);
+                } catch(err) {
+                    return asyncOut.error(err);
+                }
+                asyncOut.end();
+            });
+        }
+    };
+}
+
+function evalCommonJsTemplateSrc(path, src, templateSrc) {
+    var sourceMap = createSourceMap(path, src, templateSrc);
+    var wrappedSource = '(function(require, exports, module, __filename, __dirname) {\n' + sourceMap.code + '\n})' +
+        '\n//# sourceURL=marko-template://' + path +
+        '\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,' + btoa(unescape(encodeURIComponent(JSON.stringify(sourceMap.map))));
+    var factoryFunc = eval(wrappedSource);
+    templatePositions[path] = { src:templateSrc, positions:sourceMap.positions };
+    var dirname = getDirname(path);
+    var templateRequire = createRequire(dirname);
+    var templateExports = {};
+    var templateModule = {
+        require: templateRequire,
+        exports: templateExports,
+        id: path,
+        filename: path
+    };
+
+    factoryFunc(templateRequire, templateExports, templateModule, path, dirname);
+    return templateModule.exports;
+}
+
+function getDirname(path) {
+    return resolveUrl(path, '.').replace(/\/$/, '');
+}
+
+var modules = {};
+
+function isRelative(id) {
+    return id.charAt(0) == '.' || id.charAt(0) == '/';
+}
+
+// Before the domready scan a plain name may still turn out to be a page template, so it must not be fetched yet
+function waitsForPageTemplates(name) {
+    return marko.state == 'loading' && !isRelative(name) && name.indexOf(':') == -1 && !(loads[name] && loads[name].reserved);
+}
+
+// Relative paths are keyed by their URL, the same as when they are included, unless a page template has that name
+function resolveTemplateName(path) {
+    return isRelative(path) && !(path in marko.templates) ? resolveUrl(path) : path;
+}
+
+function createRequire(dirname) {
+    // Fall back to the bundled modules, using the URL's path as the logical directory
+    var logicalDirname = dirname.replace(/^\w+:\/\/[^\/]*/, '') || '/';
+
+    return function(target) {
+        var id = isRelative(target) ? resolveUrl(dirname + '/', target) : target;
+        var registered = [id, id + '.js', id + '/index.js'].filter(function(id) {
+            return id in modules;
+        })[0];
+
+        if(registered) {
+            return requireModule(registered);
+        }
+        if(!isRelative(target)) {
+            return require(target);
+        }
+        return window.$rmod.require(target, logicalDirname);
+    };
+}
+
+function requireModule(id) {
+    var definition = modules[id];
+    var factory = definition.factory;
+
+    if(factory) {
+        var dirname = getDirname(id);
+        var module = {
+            require: createRequire(dirname),
+            exports: {},
+            id: id,
+            filename: id
+        };
+
+        // Expose the partial exports to circular requires while the factory runs
+        definition.factory = null;
+        definition.exports = module.exports;
+        try {
+            factory.call(module.exports, module.require, module.exports, module, id, dirname);
+        } catch(err) {
+            definition.factory = factory;
+            throw err;
+        }
+        definition.exports = module.exports;
+    }
+
+    return definition.exports;
+}
+
+function registerModuleScripts(scripts) {
+    scripts.forEach(function(script) {
+        if(script.markoRegistered) {
+            return;
+        }
+        script.markoRegistered = true;
+
+        var name = script.getAttribute('name');
+        if(!name) {
+            return showError(new Error('One of your modules defined in a script tag is missing a name attribute'));
+        }
+
+        try {
+            var id = isRelative(name) ? resolveUrl(name) : name;
+            marko.defineModule(name, evalScriptFactory(script, id));
+        } catch(err) {
+            emitError(err, name, 'module');
+            showError(err);
+        }
+    });
+}
+
+var components = {};
+
+function registerWidgetScripts(scripts) {
+    scripts.forEach(function(script) {
+        if(script.markoRegistered) {
+            return;
+        }
+        script.markoRegistered = true;
+
+        var name = script.getAttribute('for');
+        if(!name) {
+            return showError(new Error('One of your widgets defined in a script tag is missing a for attribute'));
+        }
+
+        try {
+            var path = isRelative(name) ? resolveUrl(name) : name;
+            var dirname = getDirname(path);
+            var module = { exports:{}, id:path, filename:path };
+            evalScriptFactory(script, 'marko-widget://' + path)(createRequire(dirname), module.exports, module, path, dirname);
+
+            var def = { template:name };
+            Object.keys(module.exports).forEach(function(key) {
+                def[key] = module.exports[key];
+            });
+            marko.defineComponent(def);
+        } catch(err) {
+            emitError(err, name, 'module');
+            showError(err);
+        }
+    });
+}
+
+function evalScriptFactory(script, sourceUrl) {
+    return eval('(function(require, exports, module, __filename, __dirname) {\n' + script.innerHTML + '\n})\n//# sourceURL=' + sourceUrl);
+}
+
+var templatePositions = {};
+var positionMarker = /\/\*marko:(\d+):(\d+)\*\//g;
+var base64Digits = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+var scriptOrigins = {};
+
+function getSourceOrigin(path, templateSrc) {
+    var origin = scriptOrigins[path];
+    if(!origin || origin.src != templateSrc) {
+        origin = { url:path, line:1, column:0, content:templateSrc };
+    }
+    return origin;
+}
+
+// Maps a line and column in the stripIndent-ed template to the original source it came from
+function createPositionMapper(origin, templateSrc) {
+    // stripIndent shifts every line left, so add the removed indentation back to the columns
+    var originalLines = templateSrc.split('\n');
+    var strippedLines = stripIndent(templateSrc).split('\n');
+
+    return function(line, column) {
+        var indent = line <= originalLines.length ? originalLines[line-1].length - strippedLines[line-1].length : 0;
+        return {
+            line:origin.line + line - 1,
+            column:column + indent + (line == 1 ? origin.column : 0)
+        };
+    };
+}
+
+function mapCompileError(path, templateSrc, err) {
+    if(!err.errors) {
+        return err;
+    }
+
+    var origin = getSourceOrigin(path, templateSrc);
+    var mapPosition = createPositionMapper(origin, templateSrc);
+
+    function mapPos(pos) {
+        if(!pos || pos.path != path) {
+            return pos;
+        }
+        var mapped = mapPosition(pos.line, pos.column);
+        return { path:origin.url, line:mapped.line, column:mapped.column };
+    }
+
+    var errors = err.errors.map(function(error) {
+        return {
+            message:error.message,
+            code:error.code,
+            pos:mapPos(error.pos),
+            endPos:mapPos(error.endPos)
+        };
+    });
+
+    var mappedErr = new Error('An error occurred while trying to compile template "' + path + '". Error(s) in template:\n' +
+        errors.map(function(error, i) {
+            var pos = error.pos ? '[' + error.pos.path + ':' + error.pos.line + ':' + error.pos.column + '] ' : '';
+            return (i + 1) + ') ' + pos + error.message;
+        }).join('\n'));
+    mappedErr.errors = errors;
+    mappedErr.cause = err;
+    return mappedErr;
+}
+
+// The map points at the template's own source, so it does not depend on locating an inline script in the page
+function createSourceMap(path, src, templateSrc) {
+    var origin = { url:path, line:1, column:0 };
+    var mapPosition = createPositionMapper(origin, templateSrc);
+    var previousLine = 0;
+    var previousColumn = 0;
+
+    var lines = src.split('\n');
+    var positions = [];
+    var mappings = lines.map(function(line, i) {
+        var segments = [];
+        var previousGeneratedColumn = 0;
+        var removed = 0;
+
+        positions[i] = [];
+
+        lines[i] = line.replace(positionMarker, function(marker, markerLine, markerColumn, index) {
+            var generatedColumn = index - removed;
+            var position = mapPosition(+markerLine, +markerColumn);
+            var sourceLine = position.line - 1;
+            var sourceColumn = position.column;
+            positions[i].push({ generatedColumn:generatedColumn, line:+markerLine, column:+markerColumn });
+
+            segments.push(encodeVlq(generatedColumn - previousGeneratedColumn) + 'A' +
+                encodeVlq(sourceLine - previousLine) + encodeVlq(sourceColumn - previousColumn));
+
+            previousGeneratedColumn = generatedColumn;
+            previousLine = sourceLine;
+            previousColumn = sourceColumn;
+            removed += marker.length;
+            return '';
+        });
+
+        return segments.join(',');
+    });
+
+    var map = {
+        version:3,
+        file:'marko-template://' + path,
+        sources:[origin.url],
+        names:[],
+        // The first generated line is the CommonJS wrapper
+        mappings:';' + mappings.join(';'),
+        sourcesContent:[templateSrc]
+    };
+
+    return {
+        code:lines.join('\n'),
+        positions:positions,
+        map:map
+    };
+}
+
+function encodeVlq(value) {
+    var vlq = value < 0 ? (-value << 1) | 1 : value << 1;
+    var encoded = '';
+    do {
+        var digit = vlq & 31;
+        vlq >>>= 5;
+        encoded += base64Digits[vlq ? digit | 32 : digit];
+    } while(vlq);
+    return encoded;
+}
+
+var pageSource;
+var pageSourceCallbacks;
+var originScripts = {};
+var pendingOrigins = {};
+
+// The page is only fetched to locate an inline template's script once one of its errors needs mapping
+function whenScriptOrigin(path, fn) {
+    var script = originScripts[path];
+    if(!script) {
+        return fn();
+    }
+    if(pendingOrigins[path]) {
+        return pendingOrigins[path].push(fn);
+    }
+
+    pendingOrigins[path] = [fn];
+    findScriptOrigin(script, function(origin) {
+        if(origin) {
+            scriptOrigins[path] = origin;
+        }
+        if(originScripts[path] === script) {
+            delete originScripts[path];
+        }
+        var callbacks = pendingOrigins[path];
+        delete pendingOrigins[path];
+        callbacks.forEach(function(callback) {
+            callback();
+        });
+    });
+}
+
+function getPageSource(fn) {
+    if(pageSource !== undefined) {
+        return fn(pageSource);
+    }
+    if(pageSourceCallbacks) {
+        return pageSourceCallbacks.push(fn);
+    }
+
+    pageSourceCallbacks = [fn];
+    xhr({ uri:document.URL }, function(err, res, body) {
+        pageSource = !err && res.statusCode < 400 ? body.replace(/\r\n?/g, '\n') : null;
+        pageSourceCallbacks.forEach(function(fn) {
+            fn(pageSource);
+        });
+    });
+}
+
+function findScriptOrigin(script, fn) {
+    var text = script.innerHTML;
+    var scripts = [].slice.call(document.scripts, 0, [].indexOf.call(document.scripts, script));
+    var occurrence = scripts.filter(function(other) {
+        return other.innerHTML == text;
+    }).length;
+
+    getPageSource(function(content) {
+        var index = -1;
+        for(var i = 0; content && text && i <= occurrence; i++) {
+            index = content.indexOf(text, index + 1);
+            if(index == -1) {
+                break;
+            }
+        }
+
+        if(index == -1) {
+            return fn(null);
+        }
+
+        var lines = content.slice(0, index).split('\n');
+        fn({
+            src:text,
+            url:document.URL,
+            line:lines.length,
+            column:lines[lines.length-1].length,
+            content:content
+        });
+    });
+}
+
+var readyEvent;
+
+function finishReady(failed) {
+    readyEvent = { failed:failed };
+    marko.state = failed.length ? 'failed' : 'ready';
+    marko.events.emit('ready', readyEvent);
+}
+
+var templateScriptSelector = 'script[type*=marko]:not([type=marko-module]):not([type=marko-widget])';
+var moduleScriptSelector = 'script[type=marko-module]';
+var widgetScriptSelector = 'script[type=marko-widget]';
+var scanned = false;
+var observer;
+var scriptErrors = {};
+
+function registerScripts(scripts, fn) {
+    var remaining = 1;
+    var failed = [];
+
+    function done() {
+        if(!--remaining) {
+            fn(failed);
+        }
+    }
+
+    scripts.filter(function(script) {
+        if(script.markoRegistered) {
+            return false;
+        }
+        script.markoRegistered = true;
+
+        var src = script.getAttribute('src');
+        var name = script.getAttribute('name');
+
+        if(!name) {
+            return showError(new Error('One of your templates defined in a script tag is missing a name attribute'));
+        }
+
+        if(name in marko.templates) {
+            return showError(new Error('A template with named "'+name+'" has already been registered'));
+        }
+
+        marko.templates[name] = undefined;
+        reserveLoad(name, true);
+
+        // The file may already be loaded, or loading, as another template's include
+        var path = src && resolveUrl(src);
+        if(path && !marko.templates[path] && !(loads[path] && loads[path].started)) {
+            marko.templates[path] = undefined;
+            reserveLoad(path, true).integrity = script.getAttribute('integrity');
+        }
+
+        return true;
+    }).forEach(function(script) {
+        var name = script.getAttribute('name');
+
+        remaining++;
+
+        loadScript(script, function(err, template) {
+            if(err) {
+                failed.push(name);
+                scriptErrors[name] = err;
+                showError(err);
+            }
+            marko.events.emit('loaded', { name:name, template:template, error:err || null });
+            done();
+        });
+    });
+
+    done();
+}
+
+function loadScript(script, fn) {
+    var name = script.getAttribute('name');
+    var src = script.getAttribute('src');
+
+    if(!src) {
+        originScripts[name] = script;
+        return marko.load(name, script.innerHTML, fn);
+    }
+
+    var path = resolveUrl(src);
+    var integrity = script.getAttribute('integrity');
+    var load = loads[path];
+    // A file that was loaded or loading as another template's include has not been checked against this script
+    var checkIntegrity = !load || load.started || load.integrity != integrity;
+
+    function loaded(err, template) {
+        if(err || !checkIntegrity) {
+            return setTemplate(err, template);
+        }
+        verifyIntegrity(path, sources[path], integrity, function(err) {
+            if(err) {
+                emitError(err, name, 'load');
+            }
+            setTemplate(err, template);
+        });
+    }
+
+    function setTemplate(err, template) {
+        if(!err) {
+            marko.templates[name] = template;
+        }
+        finishLoad(name, err, err ? undefined : template);
+    }
+
+    marko.load(name, fn);
+    if(marko.templates[path]) {
+        return loaded(null, marko.templates[path]);
+    }
+
+    load.callbacks.push(loaded);
+    if(!load.started) {
+        startLoad(path);
+    }
+}
+
+function observeScripts(mutations) {
+    if(!scanned) {
+        return;
+    }
+
+    registerModuleScripts(findAddedElements(mutations, moduleScriptSelector));
+    registerWidgetScripts(findAddedElements(mutations, widgetScriptSelector));
+
+    var scripts = findAddedElements(mutations, templateScriptSelector);
+    if(scripts.length) {
+        registerScripts(scripts, function() {});
+    }
+}
+
+function findAddedElements(mutations, selector) {
+    var elements = [];
+    mutations.forEach(function(mutation) {
+        [].forEach.call(mutation.addedNodes, function(node) {
+            if(node.nodeType != 1) {
+                return;
+            }
+            if(node.matches(selector)) {
+                elements.push(node);
+            }
+            [].push.apply(elements, node.querySelectorAll(selector));
+        });
+    });
+    return elements;
+}
+
+domready(function() {
+    scanned = true;
+    registerModuleScripts([].slice.call(document.querySelectorAll(moduleScriptSelector)));
+    registerWidgetScripts([].slice.call(document.querySelectorAll(widgetScriptSelector)));
+    registerScripts([].slice.call(document.querySelectorAll(templateScriptSelector)), finishReady);
+});
+
+var mounts = [];
+
+function renderMount(mount) {
+    var renderId = ++mount.renderId;
+
+    return toPromise(function(callback) {
+        marko.render(mount.name, mount.data, function(err, html, out) {
+            if(mount.destroyed || renderId != mount.renderId) {
+                return callback(err);
+            }
+            if(err) {
+                showMountError(mount.element, err);
+                return callback(err);
+            }
+
+            // Widgets of the elements that are kept stay live, the same as when a widget rerenders itself
+            var widgetsContext = out.global.widgets;
+            var target = mount.element.cloneNode(false);
+            target.innerHTML = html;
+            morphdom(mount.element, target, {
+                childrenOnly:true,
+                onNodeDiscarded:destroyWidget,
+                onBeforeElUpdated:function(fromEl, toEl) {
+                    var widget = fromEl.__widget;
+                    var widgetDef = widgetsContext && toEl.id && widgetsContext.getWidget(toEl.id);
+                    if(widget && !(widgetDef && widgetDef.type === widget.__type)) {
+                        destroyWidget(fromEl);
+                    }
+                }
+            });
+            bindWidgets(out);
+            callback();
+        });
+    });
+}
+
+function bindWidgets(out) {
+    var widgetsContext = out.global.widgets;
+    if(widgetsContext) {
+        widgetsContext.initWidgets(document);
+    }
+}
+
+function destroyWidgets(element) {
+    [].forEach.call(element.querySelectorAll('*'), destroyWidget);
+}
+
+function destroyWidget(el) {
+    if(el.__widget) {
+        el.__widget.destroy({ removeNode:false, recursive:false });
+    }
+}
+
+function ignoreError() {}
+
+var mountSelector = '[data-marko-render]';
+
+function renderMountPoints(names) {
+    [].forEach.call(document.querySelectorAll(mountSelector), function(el) {
+        if(!names || names.indexOf(el.getAttribute('data-marko-render')) != -1) {
+            renderMountPoint(el);
+        }
+    });
+}
+
+function renderMountPoint(el) {
+    var data;
+    try {
+        data = getMountData(el);
+    } catch(err) {
+        return showMountError(el, err);
+    }
+
+    if(el.markoMount) {
+        el.markoMount.update(data).catch(ignoreError);
+    } else {
+        el.markoMount = marko.mount(el.getAttribute('data-marko-render'), data, el);
+    }
+}
+
+function getMountData(el) {
+    var json = el.getAttribute('data-marko-data');
+    var ref = el.getAttribute('data-marko-data-ref');
+
+    if(ref) {
+        var script = document.querySelector(ref);
+        if(!script) {
+            throw new Error('Unable to find the data for <'+el.tagName.toLowerCase()+' data-marko-render="'+el.getAttribute('data-marko-render')+'">: no element matches "'+ref+'"');
+        }
+        json = script.textContent;
+    }
+
+    return json ? JSON.parse(json) : {};
+}
+
+function showMountError(el, error) {
+    showError(error);
+    destroyWidgets(el);
+    el.innerHTML = '';
+    el.appendChild(createErrorElement(error));
+}
+
+marko.events.on('updated', function(updated) {
+    mounts.forEach(function(mount) {
+        if(updated.indexOf(mount.name) != -1) {
+            renderMount(mount).catch(ignoreError);
+        }
+    });
+});
+
+marko.ready(function() {
+    renderOverlay();
+    renderMountPoints();
+
+    marko.events.on('loaded', function(event) {
+        if(!event.error) {
+            renderMountPoints([event.name]);
+        }
+    });
+});
+
+function emitError(error, path, phase, src) {
+    overlayErrors[path] = { error:error, path:path, phase:phase, src:src };
+    renderOverlay();
+
+    if(marko.events.listeners('error').length) {
+        marko.events.emit('error', { error:error, path:path, phase:phase });
+    }
+}
+
+var overlayErrors = {};
+var overlayElement;
+
+function dismissOverlayError(path, phase) {
+    var entry = overlayErrors[path];
+    if(entry && (!phase || entry.phase == phase)) {
+        delete overlayErrors[path];
+        renderOverlay();
+    }
+}
+
+function renderOverlay() {
+    var paths = Object.keys(overlayErrors);
+    if(!marko.overlay.enabled || !paths.length || !document.body) {
+        if(overlayElement) {
+            overlayElement.remove();
+            overlayElement = undefined;
+        }
+        return;
+    }
+
+    if(!overlayElement) {
+        overlayElement = document.createElement('div');
+        overlayElement.id = 'marko-error-overlay';
+        overlayElement.style.cssText = 'position:fixed;top:0;left:0;right:0;max-height:100%;overflow:auto;z-index:2147483647;' +
+            'box-sizing:border-box;padding:16px;background:rgba(24,24,24,0.95);color:#eee;font:13px/1.5 Menlo,Consolas,monospace;';
+    }
+    overlayElement.innerHTML = '';
+    paths.forEach(function(path) {
+        overlayElement.appendChild(createOverlayEntry(overlayErrors[path]));
+    });
+    if(!overlayElement.parentNode) {
+        document.body.appendChild(overlayElement);
+    }
+}
+
+function createOverlayEntry(entry) {
+    var element = document.createElement('div');
+    element.style.cssText = 'margin-bottom:16px;';
+
+    var title = document.createElement('div');
+    title.style.cssText = 'color:#ff5555;font-weight:bold;';
+    title.textContent = 'Failed to ' + entry.phase + ' "' + entry.path + '"';
+    element.appendChild(title);
+
+    var origin = scriptOrigins[entry.path];
+    if(origin) {
+        var location = document.createElement('div');
+        location.style.cssText = 'color:#999;';
+        location.textContent = '<script> at ' + origin.url + ':' + origin.line;
+        element.appendChild(location);
+    }
+
+    var message = document.createElement('pre');
+    message.style.cssText = 'margin:8px 0;white-space:pre-wrap;';
+    message.textContent = entry.error.message;
+    element.appendChild(message);
+
+    if(entry.src != undefined) {
+        (entry.error.errors || []).forEach(function(error) {
+            var src = origin && error.pos && error.pos.path == origin.url ? origin.content : entry.src;
+            if(error.pos && error.pos.line <= src.split('\n').length) {
+                element.appendChild(createCodeFrame(src, error.pos.line, error.pos.column));
+            }
+        });
+    }
+
+    return element;
+}
+
+function createCodeFrame(src, line, column) {
+    var frame = document.createElement('pre');
+    frame.style.cssText = 'margin:8px 0;padding:8px;background:#111;overflow:auto;';
+    formatCodeFrame(src, line, column).forEach(function(text, i, rows) {
+        var row = document.createElement('div');
+        row.textContent = text;
+        if(text.charAt(0) == '>') {
+            row.style.cssText = 'background:#3a1d1d;color:#fff;';
+        } else if(i && rows[i-1].charAt(0) == '>') {
+            row.style.cssText = 'color:#ff5555;';
+        }
+        frame.appendChild(row);
+    });
+    return frame;
+}
+
+// The offending line starts with "> " and is followed by a caret under the column
+function formatCodeFrame(src, line, column) {
+    var lines = src.split('\n');
+    var first = Math.max(line - 3, 1);
+    var last = Math.min(line + 2, lines.length);
+    var gutterWidth = String(last).length;
+    var rows = [];
+
+    for(var i = first; i <= last; i++) {
+        var gutter = (i == line ? '> ' : '  ') + ('' + i + ' ').padStart(gutterWidth + 1) + '| ';
+        rows.push(gutter + lines[i - 1]);
+        if(i == line) {
+            rows.push(' '.repeat(gutter.length + column) + '^');
+        }
+    }
+    return rows;
+}
+
+function showError(error) {
+    if(window.console) {
+        console.error(error);
+        return;
+    }
+    document.body.append(createErrorElement(error));
+    return;
+}
+
+function createErrorElement(error) {
+    var errorContainer = document.createElement('div');
+    errorContainer.style.fontWeight = 'bold';
+    errorContainer.style.color = '#900';
+    errorContainer.style.whiteSpace = 'pre-wrap';
+    errorContainer.textContent = error.message;
+    return errorContainer;
 }
\ No newline at end of file
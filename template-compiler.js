@@ -0,0 +1,307 @@
+var compiler = require('marko/compiler');
+var CompileContext = require('marko/compiler/CompileContext');
+var CodeGenerator = require('marko/compiler/CodeGenerator');
+var Parser = require('marko/compiler/Parser');
+var HtmlJsParser = require('marko/compiler/HtmlJsParser');
+var Taglib = require('marko/compiler/taglib-loader/Taglib');
+var taglibLoader = require('marko/compiler/taglib-loader/loader');
+var dependencyTags = { 'include':'template', 'layout-use':'template', 'include-text':'text' };
+
+var isTemplateName = function(path) {
+    return false;
+};
+var resolveUrl = function(from, path) {
+    return path;
+};
+
+exports.configure = function(options) {
+    isTemplateName = options.isTemplateName;
+    resolveUrl = options.resolveUrl;
+};
+
+exports.compile = function(path, src) {
+    return compiler.compile(src, path, null);
+};
+
+exports.registerTaglib = registerTaglib;
+exports.findDependencies = findDependencies;
+exports.resolvePath = resolvePath;
+
+function resolvePath(from, path) {
+    if(isTemplateName(path)) {
+        return path;
+    }
+    return resolveUrl(from, path);
+}
+
+// The same parser compile() uses, so text in placeholders and strings that only looks like a tag is left alone
+var parser = new Parser(new HtmlJsParser());
+
+function parse(path, src) {
+    var context = new CompileContext(src, path, compiler.builder);
+    var ast = parser.parse(src, context);
+
+    if(context.hasErrors()) {
+        var errors = context.getErrors();
+        var err = new Error('An error occurred while trying to compile template at path "' + path + '". Error(s) in template:\n' +
+            errors.map(function(error, i) {
+                return (i + 1) + ') ' + error.toString() + '\n';
+            }).join(''));
+        err.errors = errors;
+        throw err;
+    }
+
+    return ast;
+}
+
+function findDependencies(path, src) {
+    var dependencies = [];
+    var builder = compiler.builder;
+    var ast = parse(path, src);
+
+    compiler.createWalker({
+        enter:function(node) {
+            // <include-text> is already replaced by its text node while parsing
+            var el = node.includeTextElement || node;
+            if(!el.tagName || !dependencyTags[el.tagName]) {
+                return;
+            }
+
+            var pathExpression = getDependencyPathExpression(el, builder);
+            if(!pathExpression) {
+                return;
+            }
+
+            if(pathExpression.type != 'Literal' || typeof pathExpression.value != 'string') {
+                return;
+            }
+
+            var position = getPosition(src, el.pos);
+            dependencies.push({
+                tag:el.tagName,
+                type:dependencyTags[el.tagName],
+                path:resolvePath(path, pathExpression.value),
+                line:position.line,
+                column:position.column
+            });
+        }
+    }).walk(ast);
+
+    return dependencies;
+}
+
+function getDependencyPathExpression(el, builder) {
+    if(el.argument) {
+        return builder.parseJavaScriptArgs(el.argument)[0];
+    }
+    if(el.tagName != 'include-text' && el.hasAttribute('template')) {
+        return el.getAttributeValue('template');
+    }
+}
+
+function getPosition(src, pos) {
+    var lines = src.slice(0, pos).split('\n');
+    return { line:lines.length, column:lines[lines.length-1].length };
+}
+
+function registryLookup(builder, registry, path) {
+    return builder.parseExpression('window.marko.'+registry+'['+JSON.stringify(path)+']');
+}
+
+CompileContext.prototype.importTemplate = function(relativePath) {
+    return registryLookup(this.builder, 'templates', resolvePath(this.filename, relativePath));
+};
+
+function transformTemplateTag(el, context) {
+    if(dependencyTags[el.tagName] != 'template') {
+        return;
+    }
+
+    var builder = context.builder;
+
+    if(!el.argument && el.hasAttribute('template')) {
+        el.argument = el.getAttributeValue('template').toString();
+        el.removeAttribute('template');
+    }
+
+    var pathExpression = getDependencyPathExpression(el, builder);
+    if(pathExpression && pathExpression.type != 'Literal') {
+        var args = splitFirstArgument(el.argument, builder);
+        el.argument = 'window.marko.resolveTemplate('+args[0]+', '+JSON.stringify(context.filename)+')'+args[1];
+    }
+}
+
+// marko-widgets names widget types after the w-bind path, so make it unique to the template.
+// A w-bind without a value binds to the component defined for the template.
+function resolveWidgetBind(el, context) {
+    var bindAttr = el.getAttribute('w-bind');
+    if(!bindAttr) {
+        return;
+    }
+
+    if(bindAttr.value == null) {
+        el.setAttributeValue('w-bind', context.builder.literal('marko-widget:' + context.filename));
+    } else if(bindAttr.isLiteralValue() && typeof bindAttr.literalValue == 'string') {
+        el.setAttributeValue('w-bind', context.builder.literal(resolvePath(context.filename, bindAttr.literalValue)));
+    }
+}
+
+function splitFirstArgument(argument, builder) {
+    for(var i = argument.indexOf(','); i != -1; i = argument.indexOf(',', i+1)) {
+        try {
+            builder.parseExpression(argument.slice(0, i));
+            return [argument.slice(0, i), argument.slice(i)];
+        } catch(e) {}
+    }
+    return [argument, ''];
+}
+
+function createIncludeTextNode(el, context) {
+    var builder = context.builder;
+    var pathExpression = getDependencyPathExpression(el, builder);
+
+    if(!pathExpression || pathExpression.type != 'Literal' || typeof pathExpression.value != 'string') {
+        context.addError(el, 'Argument to the <include-text> tag should be a string value: <include-text("./foo.txt")/>');
+        return el;
+    }
+
+    var escapeXml = el.getAttributeValue('escape-xml');
+    var text = registryLookup(builder, 'texts', resolvePath(context.filename, pathExpression.value));
+    var textNode = builder.text(text, !(escapeXml && escapeXml.value === false));
+    textNode.includeTextElement = el;
+    return textNode;
+}
+
+// Each element's code is prefixed with a /*marko:line:column*/ comment so that
+// the evaluated template can be source mapped back to the Marko source
+var generateCode = CodeGenerator.prototype.generateCode;
+var addWrite = CodeGenerator.prototype.addWrite;
+var write = CodeGenerator.prototype.write;
+
+CodeGenerator.prototype.generateCode = function(node) {
+    var position = node && (node.markoPosition || (typeof node.pos == 'number' && this.context.getPosInfo(node.pos)));
+    if(!position) {
+        return generateCode.call(this, node);
+    }
+
+    var parentPosition = this.markoPosition;
+    var parentMarker = this.markoMarker;
+    this.markoPosition = position;
+    this.markoMarker = '/*marko:'+position.line+':'+position.column+'*/';
+    try {
+        return generateCode.call(this, node);
+    } finally {
+        this.markoPosition = parentPosition;
+        if(this.markoMarker) {
+            this.markoMarker = parentMarker;
+        }
+    }
+};
+
+CodeGenerator.prototype.addWrite = function(output) {
+    if(output && output.pos == null && !output.markoPosition) {
+        output.markoPosition = this.markoPosition;
+    }
+    return addWrite.call(this, output);
+};
+
+CodeGenerator.prototype.write = function(code) {
+    var marker = this.markoMarker;
+    if(marker && /\S/.test(code)) {
+        this.markoMarker = null;
+        this._flushBufferedWrites(true);
+        this._code += marker;
+    }
+    return write.call(this, code);
+};
+
+var registeredTaglibIds = [];
+
+// Only tags and attributes can be loaded without the filesystem. The tag
+// implementations are passed in by tag name instead of as module paths.
+function registerTaglib(taglibJson, implementations) {
+    var renderers = implementations.renderers || {};
+    var transformers = implementations.transformers || {};
+    var codeGenerators = implementations.codeGenerators || {};
+
+    var taglib = new Taglib(taglibJson['taglib-id'] || 'marko-browser-taglib-' + registeredTaglibIds.length);
+    if(registeredTaglibIds.indexOf(taglib.id) != -1) {
+        throw new Error('A taglib with the id "'+taglib.id+'" has already been registered');
+    }
+
+    var tags = {};
+    Object.keys(taglibJson.tags || {}).forEach(function(name) {
+        tags[name] = taglibJson.tags[name];
+    });
+
+    Object.keys(taglibJson).forEach(function(key) {
+        if(key.charAt(0) == '<') {
+            tags[key.slice(1, -1)] = taglibJson[key];
+        } else if(key.charAt(0) == '@') {
+            taglib.addAttribute(taglibLoader.attributeLoader.loadAttribute(key.slice(1), taglibJson[key], '"'+key.slice(1)+'" attribute as part of '+taglib.id));
+        } else if(key != 'tags' && key != 'taglib-id') {
+            throw new Error('Unsupported taglib property "'+key+'" in '+taglib.id+': only tags and attributes can be registered in the browser');
+        }
+    });
+
+    Object.keys(renderers).concat(Object.keys(transformers), Object.keys(codeGenerators)).forEach(function(name) {
+        tags[name] = tags[name] || {};
+    });
+
+    Object.keys(tags).forEach(function(name) {
+        var tag = taglibLoader.tagLoader.loadTag(tags[name], '<'+name+'> tag in '+taglib.id, taglib, '/');
+        var path = 'marko-taglib:' + taglib.id + '/' + name;
+        tag.name = tag.name || name;
+
+        if(renderers[name]) {
+            tag.renderer = path + '/renderer';
+        }
+
+        if(transformers[name]) {
+            var transformer = new Taglib.Transformer();
+            transformer.path = path + '/transformer';
+            transformer._func = transformers[name];
+            tag.addTransformer(transformer);
+        }
+
+        if(codeGenerators[name]) {
+            tag.codeGeneratorModulePath = path + '/code-generator';
+            tag._nodeFactory = function(el) {
+                el.setType(tag.codeGeneratorModulePath);
+                el.setCodeGenerator(codeGenerators[name]);
+                return el;
+            };
+        }
+
+        taglib.addTag(tag);
+    });
+
+    compiler.taglibLookup.registerTaglib(taglib);
+    compiler.clearCaches();
+    registeredTaglibIds.push(taglib.id);
+    return taglib;
+}
+
+var browserTaglib = new Taglib('marko-browser');
+
+var anyTag = new Taglib.Tag(browserTaglib);
+var templateTagTransformer = new Taglib.Transformer();
+anyTag.name = '*';
+templateTagTransformer.path = 'marko-browser/template-tag-transformer';
+templateTagTransformer.priority = -1;
+templateTagTransformer._func = transformTemplateTag;
+anyTag.addTransformer(templateTagTransformer);
+var widgetBindTransformer = new Taglib.Transformer();
+widgetBindTransformer.path = 'marko-browser/widget-bind-transformer';
+widgetBindTransformer.priority = -1;
+widgetBindTransformer._func = resolveWidgetBind;
+anyTag.addTransformer(widgetBindTransformer);
+browserTaglib.addTag(anyTag);
+
+var includeTextTag = new Taglib.Tag(browserTaglib);
+includeTextTag.name = 'include-text';
+includeTextTag._nodeFactory = createIncludeTextNode;
+browserTaglib.addTag(includeTextTag);
+
+compiler.taglibLookup.registerTaglib(browserTaglib);
+compiler.registerTaglib(require.resolve('marko-widgets/marko.json'));
@@ -0,0 +1,46 @@
+var templateCompiler = require('./template-compiler');
+var names = {};
+var baseURI;
+
+templateCompiler.configure({
+    isTemplateName:function(path) {
+        return names.hasOwnProperty(path);
+    },
+    resolveUrl:function(from, path) {
+        return new URL(path, new URL(from, baseURI)).href;
+    }
+});
+
+self.onmessage = function(event) {
+    var message = event.data;
+
+    names = {};
+    message.names.forEach(function(name) {
+        names[name] = true;
+    });
+    baseURI = message.baseURI;
+
+    try {
+        var result = message.type == 'dependencies' ?
+            templateCompiler.findDependencies(message.path, message.src) :
+            templateCompiler.compile(message.path, message.src);
+        self.postMessage({ id:message.id, result:result });
+    } catch(err) {
+        self.postMessage({ id:message.id, error:serializeError(err) });
+    }
+};
+
+function serializeError(err) {
+    return {
+        message:err.message,
+        stack:err.stack,
+        errors:err.errors && err.errors.map(function(error) {
+            return {
+                message:error.message,
+                code:error.code,
+                pos:error.pos && { path:error.pos.path, line:error.pos.line, column:error.pos.column },
+                endPos:error.endPos && { path:error.endPos.path, line:error.endPos.line, column:error.endPos.column }
+            };
+        })
+    };
+}